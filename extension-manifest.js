@@ -0,0 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+
+// Shared by bot.js and setup-adblocker.js
+
+// Manifest name, resolved from the default locale when it is a "__MSG_key__" placeholder
+export function getExtensionName(directory, manifest) {
+    const placeholder = /^__MSG_(\w+)__$/.exec(manifest.name || '');
+    if (!placeholder) return manifest.name;
+    try {
+        const messages = JSON.parse(fs.readFileSync(path.join(directory, '_locales', manifest.default_locale || 'en', 'messages.json'), 'utf8'));
+        const entry = Object.entries(messages).find(([key]) => key.toLowerCase() === placeholder[1].toLowerCase());
+        return entry ? entry[1].message : manifest.name;
+    } catch {
+        return manifest.name;
+    }
+}
@@ -1,55 +1,314 @@
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
 import { exec } from 'child_process';
+import { fileURLToPath } from 'url';
 import { promisify } from 'util';
+import puppeteer, { PUPPETEER_REVISIONS } from 'puppeteer';
+import { getExtensionName } from './extension-manifest.js';
 
 const execAsync = promisify(exec);
 
-async function setupAdBlocker() {
-    console.log('🛡️ Setting up uBlock Origin Lite extension...');
-    
-    const extensionDir = './extensions/ublock-origin-lite';
-    const manifestPath = path.join(extensionDir, 'manifest.json');
-    
-    // Check if extension already exists
-    if (fs.existsSync(manifestPath)) {
-        console.log('✅ uBlock Origin Lite extension already exists');
-        
-        // Read and display manifest info
-        try {
-            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-            console.log(`📦 Extension version: ${manifest.version}`);
-            console.log(`📦 Extension name: ${manifest.name}`);
-            console.log(`📦 Minimum Chrome version: ${manifest.minimum_chrome_version || 'Not specified'}`);
-        } catch (error) {
-            console.log('⚠️ Could not read manifest.json:', error.message);
-        }
-        
-        return;
-    }
-    
-    console.log('📥 Extension not found. You need to manually download uBlock Origin Lite.');
+const extensionDir = './extensions/ublock-origin-lite';
+// Every archive installed so far, as ublock-origin-lite-<version>.zip, for offline (re)installs
+const cacheDir = './extensions/cache';
+// { pinned, installed: { version, source, installedAt } }
+const statePath = './extensions/ublock-origin-lite.json';
+const releaseUrl = 'https://api.github.com/repos/uBlockOrigin/uBOL-home/releases/latest';
+
+const usage = `Usage: npm run setup-adblocker [-- option]
+  (no option)        Install the pinned or newest cached version if none is installed, else check it
+  --from <file>      Install from a downloaded .zip or .crx (and keep it in the cache)
+  --upgrade          Download the latest release into the cache (when online) and install the newest cached version
+  --pin <version>    Install a cached version and stay on it (--upgrade only downloads)
+  --unpin            Follow the newest version again
+  --list             List the cached versions`;
+
+function readState() {
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch {
+        return { pinned: null, installed: null };
+    }
+}
+
+function saveState(state) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+// Numeric comparison of dotted versions ("2025.1.10" > "2025.1.9")
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+// The zip inside a .crx (CRX2 or CRX3 header), or the buffer itself for a .zip
+function unwrapCrx(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'Cr24') return buffer;
+    const version = buffer.readUInt32LE(4);
+    if (version === 3) return buffer.subarray(12 + buffer.readUInt32LE(8));
+    if (version === 2) return buffer.subarray(16 + buffer.readUInt32LE(8) + buffer.readUInt32LE(12));
+    throw new Error(`Unsupported CRX version ${version}`);
+}
+
+// Files of a zip archive ({ name, data }), read through its central directory
+function readZipEntries(zip) {
+    let end = zip.length - 22;
+    while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const entries = [];
+    let offset = zip.readUInt32LE(end + 16);
+    for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+        if (zip.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+        const method = zip.readUInt16LE(offset + 10);
+        const compressedSize = zip.readUInt32LE(offset + 20);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        const commentLength = zip.readUInt16LE(offset + 32);
+        const localOffset = zip.readUInt32LE(offset + 42);
+        const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (compressedSize === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+        const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+        const raw = zip.subarray(dataStart, dataStart + compressedSize);
+        if (method !== 0 && method !== 8) throw new Error(`Unsupported compression method ${method} for ${name}`);
+        entries.push({ name, data: method === 8 ? zlib.inflateRawSync(raw) : raw });
+    }
+    return entries;
+}
+
+// Unpack into directory. Archives that wrap everything in one folder are unpacked from inside it.
+function extractZip(zip, directory) {
+    const entries = readZipEntries(zip);
+    const manifest = entries.find(entry => path.posix.basename(entry.name) === 'manifest.json' &&
+        entry.name.split('/').length <= 2);
+    if (!manifest) throw new Error('The archive has no manifest.json');
+    const prefix = manifest.name.slice(0, -'manifest.json'.length);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+    for (const entry of entries.filter(candidate => candidate.name.startsWith(prefix))) {
+        const target = path.resolve(directory, entry.name.slice(prefix.length));
+        if (!target.startsWith(path.resolve(directory) + path.sep)) {
+            throw new Error(`Refusing to unpack ${entry.name} outside the extension directory`);
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.data);
+    }
+}
+
+// Version of the Chrome the bot launches: PUPPETEER_EXECUTABLE_PATH if set, else Puppeteer's own
+async function getChromeVersion() {
+    const executable = process.env.PUPPETEER_EXECUTABLE_PATH;
+    if (!executable) return PUPPETEER_REVISIONS.chrome;
+    try {
+        const { stdout } = await execAsync(`"${executable}" --version`);
+        return (stdout.match(/\d+(\.\d+)+/) || [null])[0];
+    } catch (error) {
+        console.log(`⚠️ Could not run ${executable}: ${error.message}`);
+        return null;
+    }
+}
+
+// Manifest of an unpacked extension, checked against the Chrome version
+function validateExtension(directory, chromeVersion) {
+    const manifestPath = path.join(directory, 'manifest.json');
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid manifest.json: ${error.message}`);
+    }
+    if (!manifest.version) {
+        throw new Error('manifest.json has no version');
+    }
+    if (manifest.manifest_version !== 3) {
+        console.log(`⚠️ Manifest version ${manifest.manifest_version}: current Chrome only runs Manifest V3 extensions`);
+    }
+
+    const minimum = manifest.minimum_chrome_version;
+    if (minimum && chromeVersion && compareVersions(minimum, chromeVersion) > 0) {
+        throw new Error(`Version ${manifest.version} needs Chrome ${minimum}, the bot's Chrome is ${chromeVersion}`);
+    }
+    if (minimum && !chromeVersion) {
+        console.log(`⚠️ Needs Chrome ${minimum}, could not determine the bot's Chrome version`);
+    }
+    return manifest;
+}
+
+function listCachedVersions() {
+    if (!fs.existsSync(cacheDir)) return [];
+    return fs.readdirSync(cacheDir)
+        .map(file => ({ file: path.join(cacheDir, file), version: (file.match(/^ublock-origin-lite-(.+)\.zip$/) || [])[1] }))
+        .filter(entry => entry.version)
+        .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+// Unpack an archive to a staging directory, validate it and keep a copy in the cache.
+// Resolves to the staged manifest; install() moves it into place.
+async function stageArchive(buffer, chromeVersion) {
+    const zip = unwrapCrx(buffer);
+    const stagingDir = `${extensionDir}.staging`;
+    let manifest;
+    try {
+        extractZip(zip, stagingDir);
+        manifest = validateExtension(stagingDir, chromeVersion);
+    } catch (error) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    const cached = path.join(cacheDir, `ublock-origin-lite-${manifest.version}.zip`);
+    if (!fs.existsSync(cached)) {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(cached, zip);
+        console.log(`📦 Cached version ${manifest.version} as ${cached}`);
+    }
+    return { manifest, stagingDir };
+}
+
+// Swap the staged extension in; the previous install is only removed once the new one is in place
+function install({ manifest, stagingDir }, source, state) {
+    const previousDir = `${extensionDir}.previous`;
+    fs.rmSync(previousDir, { recursive: true, force: true });
+    if (fs.existsSync(extensionDir)) fs.renameSync(extensionDir, previousDir);
+    fs.renameSync(stagingDir, extensionDir);
+    fs.rmSync(previousDir, { recursive: true, force: true });
+
+    state.installed = { version: manifest.version, source, installedAt: new Date().toISOString() };
+    saveState(state);
+    console.log(`✅ Installed ${getExtensionName(extensionDir, manifest)} ${manifest.version} (minimum Chrome: ${manifest.minimum_chrome_version || 'not specified'})`);
+}
+
+async function installCached(version, state, chromeVersion) {
+    const entry = listCachedVersions().find(candidate => candidate.version === version);
+    if (!entry) {
+        throw new Error(`Version ${version} is not cached (cached: ${listCachedVersions().map(candidate => candidate.version).join(', ') || 'none'})`);
+    }
+    install(await stageArchive(fs.readFileSync(entry.file), chromeVersion), entry.file, state);
+}
+
+// Latest uBOL release for Chromium into the cache. Resolves to its version, null when offline.
+async function downloadLatest(chromeVersion) {
+    try {
+        console.log('🌐 Looking up the latest uBlock Origin Lite release...');
+        const release = await (await fetch(releaseUrl, { signal: AbortSignal.timeout(30000) })).json();
+        const asset = (release.assets || []).find(candidate => /chromium.*\.zip$/i.test(candidate.name));
+        if (!asset) throw new Error(`no Chromium zip in release ${release.tag_name}`);
+
+        console.log(`📥 Downloading ${asset.name}...`);
+        const response = await fetch(asset.browser_download_url, { signal: AbortSignal.timeout(120000) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { manifest, stagingDir } = await stageArchive(Buffer.from(await response.arrayBuffer()), chromeVersion);
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        return manifest.version;
+    } catch (error) {
+        console.log(`⚠️ Could not download the latest release (${error.message}), using the cache`);
+        return null;
+    }
+}
+
+function printInstructions() {
+    console.log('📥 Extension not found and nothing cached to install from.');
     console.log('');
     console.log('📋 Instructions:');
-    console.log('1. Go to: https://github.com/uBlockOrigin/uBlock-Origin/releases');
-    console.log('2. Download the latest "uBlock0.chromium.zip" file');
-    console.log('3. Extract the contents to: ./extensions/ublock-origin-lite/');
-    console.log('4. Make sure the manifest.json file is in the root of the extension directory');
+    console.log('1. Go to: https://github.com/uBlockOrigin/uBOL-home/releases');
+    console.log('2. Download the latest "uBOLite_<version>.chromium.zip" file (or a .crx)');
+    console.log('3. Run: npm run setup-adblocker -- --from <downloaded file>');
+    console.log('   or, with internet access: npm run setup-adblocker -- --upgrade');
     console.log('');
     console.log('🔧 Alternative: Use a different ad blocker or run without one');
     console.log('The bot will work without an ad blocker, but you may see ads.');
-    
-    // Create extensions directory if it doesn't exist
-    if (!fs.existsSync('./extensions')) {
-        fs.mkdirSync('./extensions', { recursive: true });
-        console.log('✅ Created extensions directory');
-    }
-    
-    if (!fs.existsSync(extensionDir)) {
-        fs.mkdirSync(extensionDir, { recursive: true });
-        console.log('✅ Created ublock-origin-lite directory');
+}
+
+async function setupAdBlocker() {
+    console.log('🛡️ Setting up uBlock Origin Lite extension...');
+
+    const args = process.argv.slice(2);
+    const option = args[0] || null;
+    const value = args[1] || null;
+    const state = readState();
+    const chromeVersion = await getChromeVersion();
+    console.log(`🌐 Bot's Chrome version: ${chromeVersion || 'unknown'} (${process.env.PUPPETEER_EXECUTABLE_PATH || puppeteer.executablePath()})`);
+
+    if (option === '--from') {
+        if (!value) throw new Error('--from needs a .zip or .crx file');
+        const staged = await stageArchive(fs.readFileSync(value), chromeVersion);
+        if (state.pinned && state.pinned !== staged.manifest.version) {
+            fs.rmSync(staged.stagingDir, { recursive: true, force: true });
+            console.log(`📌 Pinned to ${state.pinned}, version ${staged.manifest.version} was only cached (--pin ${staged.manifest.version} to switch)`);
+            return;
+        }
+        install(staged, path.resolve(value), state);
+    } else if (option === '--upgrade') {
+        await downloadLatest(chromeVersion);
+        const newest = listCachedVersions()[0];
+        if (!newest) {
+            printInstructions();
+            return;
+        }
+        if (state.pinned) {
+            console.log(`📌 Pinned to ${state.pinned}, newest cached version is ${newest.version} (--pin ${newest.version} or --unpin to switch)`);
+            return;
+        }
+        if (state.installed && compareVersions(newest.version, state.installed.version) <= 0 && fs.existsSync(path.join(extensionDir, 'manifest.json'))) {
+            console.log(`✅ Version ${state.installed.version} is already the newest`);
+            return;
+        }
+        await installCached(newest.version, state, chromeVersion);
+    } else if (option === '--pin') {
+        if (!value) throw new Error('--pin needs a version, see --list');
+        if (!state.installed || state.installed.version !== value || !fs.existsSync(path.join(extensionDir, 'manifest.json'))) {
+            await installCached(value, state, chromeVersion);
+        }
+        state.pinned = value;
+        saveState(state);
+        console.log(`📌 Pinned to version ${value}`);
+    } else if (option === '--unpin') {
+        state.pinned = null;
+        saveState(state);
+        console.log('📌 Unpinned, --upgrade installs the newest version again');
+    } else if (option === '--list') {
+        const versions = listCachedVersions();
+        console.log(versions.length ? '📦 Cached versions:' : '📦 Nothing cached yet');
+        for (const { version } of versions) {
+            const tags = [state.installed?.version === version && 'installed', state.pinned === version && 'pinned'].filter(Boolean);
+            console.log(`   ${version}${tags.length ? ` (${tags.join(', ')})` : ''}`);
+        }
+    } else if (option) {
+        console.log(usage);
+        process.exitCode = 1;
+    } else if (fs.existsSync(path.join(extensionDir, 'manifest.json'))) {
+        // Already installed: check it still fits the bot's Chrome
+        const manifest = validateExtension(extensionDir, chromeVersion);
+        console.log('✅ uBlock Origin Lite extension already exists');
+        console.log(`📦 Extension version: ${manifest.version}${state.pinned ? ' (pinned)' : ''}`);
+        console.log(`📦 Extension name: ${getExtensionName(extensionDir, manifest)}`);
+        console.log(`📦 Minimum Chrome version: ${manifest.minimum_chrome_version || 'Not specified'}`);
+    } else {
+        const version = state.pinned || listCachedVersions()[0]?.version;
+        if (!version) {
+            printInstructions();
+            return;
+        }
+        await installCached(version, state, chromeVersion);
     }
 }
 
-// Run the setup
-setupAdBlocker().catch(console.error);
\ No newline at end of file
+// Run the setup when started as a script, not when imported by the tests
+if (fs.realpathSync(process.argv[1] || '.') === fileURLToPath(import.meta.url)) {
+    setupAdBlocker().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { compareVersions, extractZip, readZipEntries, unwrapCrx };
@@ -6,7 +6,7 @@ echo "🚀 Starting Banner Bot on EC2..."
 # Check if .env file exists
 if [ ! -f .env ]; then
     echo "❌ .env file not found! Please create it with your configuration."
-    echo "Required variables: DISCORD_TOKEN, CHANNEL_ID, LIVESTREAM_URL"
+    echo "Required variables: DISCORD_TOKEN, LIVESTREAM_URL (other settings can go in bot.config.json)"
     exit 1
 fi
 
@@ -0,0 +1,138 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG_SCHEMA, loadConfig, mergeConfig, validateConfigValue } from '../bot.js';
+
+const validate = (value, schema) => {
+    const errors = [];
+    validateConfigValue(value, schema, 'config', errors);
+    return errors;
+};
+
+// loadConfig reads the environment, so each test starts from a known one
+const ENV_KEYS = ['DISCORD_TOKEN', 'LIVESTREAM_URL', 'REPLAY_SOURCE', 'DATA_DIR', 'OWNER_IDS', 'LOG_FILE', 'STREAM_ADAPTER'];
+let savedEnv;
+let directory;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'banner-bot-config-'));
+});
+
+afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const writeConfig = config => {
+    const configPath = path.join(directory, 'bot.config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+};
+
+test('validateConfigValue checks types, ranges and enums', () => {
+    assert.deepEqual(validate(5, { type: 'integer', min: 1, max: 10 }), []);
+    assert.deepEqual(validate(1.5, { type: 'integer' }), ['config must be a integer (got 1.5)']);
+    assert.deepEqual(validate(0, { type: 'integer', min: 1 }), ['config must be at least 1 (got 0)']);
+    assert.deepEqual(validate(11, { type: 'number', max: 10 }), ['config must be at most 10 (got 11)']);
+    assert.deepEqual(validate('gif', { type: 'string', enum: ['jpeg', 'png'] }), ['config must be one of "jpeg", "png" (got "gif")']);
+    assert.deepEqual(validate('123', { type: 'snowflake' }), ['config must be a Discord id (17-20 digits) (got "123")']);
+    assert.deepEqual(validate('12.5%', { type: 'length' }), []);
+    assert.equal(validate('12.5', { type: 'length' }).length, 1);
+});
+
+test('validateConfigValue allows empty optional strings but not empty required ones', () => {
+    assert.deepEqual(validate('', { type: 'string' }), []);
+    assert.deepEqual(validate('', { type: 'string', required: true }), ['config must be a non-empty string (got "")']);
+    assert.deepEqual(validate(undefined, { type: 'string' }), []);
+    assert.deepEqual(validate(undefined, { type: 'string', required: true, hint: 'set X' }), ['config is required (set X)']);
+});
+
+test('validateConfigValue walks objects and arrays and reports unknown keys', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            jobs: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'object', properties: { name: { type: 'string', required: true } } }
+            }
+        }
+    };
+    assert.deepEqual(validate({ jobs: [{ name: 'a' }] }, schema), []);
+    assert.deepEqual(validate({ jobs: [] }, schema), ['config.jobs needs at least 1 item(s)']);
+    assert.deepEqual(validate({ jobs: [{}, { name: 'b', extra: 1 }], typo: true }, schema), [
+        'config.jobs[0].name is required',
+        'config.jobs[1].extra is not a known setting',
+        'config.typo is not a known setting'
+    ]);
+});
+
+test('validateConfigValue runs check hooks after the type checks', () => {
+    const schema = { type: 'string', check: value => (value.startsWith('#') ? null : 'must start with #') };
+    assert.deepEqual(validate('#a', schema), []);
+    assert.deepEqual(validate('a', schema), ['config must start with #']);
+    assert.deepEqual(validate(1, schema), ['config must be a string (got 1)']);
+});
+
+test('mergeConfig merges objects key by key and replaces arrays', () => {
+    const merged = mergeConfig({ a: { b: 1, c: 2 }, list: [1, 2] }, { a: { c: 3 }, list: [9] });
+    assert.deepEqual(merged, { a: { b: 1, c: 3 }, list: [9] });
+});
+
+test('loadConfig accepts the defaults once a token and livestream URL are set', () => {
+    process.env.DISCORD_TOKEN = 'token';
+    process.env.LIVESTREAM_URL = 'https://www.youtube.com/@example/live';
+    const { config, errors } = loadConfig(path.join(directory, 'missing.json'));
+    assert.deepEqual(errors, []);
+    assert.equal(config.discordToken, 'token');
+    assert.deepEqual(validate(config, CONFIG_SCHEMA), []);
+});
+
+test('loadConfig reports every problem at once', () => {
+    const configPath = writeConfig({
+        ocrSettings: { roiType: 'gif' },
+        schedule: { jobs: [{ name: 'a', cron: '61 * * * *' }, { name: 'a', cron: '0 * * * *' }] },
+        unknownSetting: true
+    });
+    const { errors } = loadConfig(configPath);
+    assert.ok(errors.includes('config.discordToken is required (set DISCORD_TOKEN in .env)'));
+    assert.ok(errors.some(error => error.startsWith('config.livestreamUrl is required')));
+    assert.ok(errors.includes('config.ocrSettings.roiType must be one of "jpeg", "png" (got "gif")'));
+    assert.ok(errors.some(error => error.startsWith('config.schedule.jobs[0].cron ')));
+    assert.ok(errors.includes('config.schedule.jobs contains duplicate job names'));
+    assert.ok(errors.includes('config.unknownSetting is not a known setting'));
+});
+
+test('loadConfig layers the environment over the config file', () => {
+    const configPath = writeConfig({ discordToken: 'from-file', livestreamUrl: 'https://example.com/live', dataDir: './file-data' });
+    process.env.DATA_DIR = './env-data';
+    process.env.OWNER_IDS = '123456789012345678, 223456789012345678';
+    process.env.LOG_FILE = 'none';
+    const { config, errors } = loadConfig(configPath);
+    assert.deepEqual(errors, []);
+    assert.equal(config.discordToken, 'from-file');
+    assert.equal(config.dataDir, './env-data');
+    assert.deepEqual(config.access.ownerIds, ['123456789012345678', '223456789012345678']);
+    assert.equal(config.logging.file, null);
+});
+
+test('loadConfig does not need a token offline and reports unreadable files', () => {
+    process.env.REPLAY_SOURCE = path.join(directory, 'recording.mp4');
+    fs.writeFileSync(process.env.REPLAY_SOURCE, '');
+    assert.deepEqual(loadConfig(path.join(directory, 'missing.json'), { offline: true }).errors, []);
+    fs.rmSync(process.env.REPLAY_SOURCE);
+    assert.deepEqual(loadConfig(path.join(directory, 'missing.json'), { offline: true }).errors, ['config.replay.source does not exist']);
+
+    const configPath = path.join(directory, 'broken.json');
+    fs.writeFileSync(configPath, '{ "dataDir": ');
+    const { config, errors } = loadConfig(configPath);
+    assert.equal(config, null);
+    assert.match(errors[0], /broken\.json could not be parsed/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CronSchedule, parseCronField } from '../bot.js';
+
+const minute = { name: 'minute', min: 0, max: 59 };
+const dayOfWeek = { name: 'day-of-week', min: 0, max: 7 };
+
+test('parseCronField expands wildcards, ranges, lists and steps', () => {
+    assert.equal(parseCronField('*', minute).size, 60);
+    assert.deepEqual([...parseCronField('5', minute)], [5]);
+    assert.deepEqual([...parseCronField('1-4', minute)], [1, 2, 3, 4]);
+    assert.deepEqual([...parseCronField('1,31', minute)], [1, 31]);
+    assert.deepEqual([...parseCronField('*/15', minute)], [0, 15, 30, 45]);
+    assert.deepEqual([...parseCronField('10-30/10', minute)], [10, 20, 30]);
+    // A start with a step runs to the end of the range
+    assert.deepEqual([...parseCronField('50/5', minute)], [50, 55]);
+});
+
+test('parseCronField treats day-of-week 7 as Sunday', () => {
+    assert.deepEqual([...parseCronField('7', dayOfWeek)], [0]);
+    assert.deepEqual([...parseCronField('5-7', dayOfWeek)].sort(), [0, 5, 6]);
+});
+
+test('parseCronField rejects out-of-range values and bad steps', () => {
+    assert.throws(() => parseCronField('60', minute), /Invalid minute value "60" \(allowed 0-59\)/);
+    assert.throws(() => parseCronField('30-10', minute), /Invalid minute value/);
+    assert.throws(() => parseCronField('abc', minute), /Invalid minute value/);
+    assert.throws(() => parseCronField('*/0', minute), /Invalid step "0"/);
+    assert.throws(() => parseCronField('*/x', minute), /Invalid step "x"/);
+});
+
+test('CronSchedule needs five fields and a known timezone', () => {
+    assert.throws(() => new CronSchedule('* * * *', 'UTC'), /must have 5 fields/);
+    assert.throws(() => new CronSchedule('* * * * * *', 'UTC'), /must have 5 fields/);
+    assert.throws(() => new CronSchedule('* * * * *', 'Not/AZone'), RangeError);
+});
+
+test('nextAfter returns the first run strictly after the given time', () => {
+    const schedule = new CronSchedule('1 * * * *', 'UTC');
+    assert.equal(schedule.nextAfter('2026-10-19T10:00:00Z').toISOString(), '2026-10-19T10:01:00.000Z');
+    assert.equal(schedule.nextAfter('2026-10-19T10:01:00Z').toISOString(), '2026-10-19T11:01:00.000Z');
+    assert.equal(schedule.nextAfter('2026-10-19T10:00:59.999Z').toISOString(), '2026-10-19T10:01:00.000Z');
+});
+
+test('nextAfter skips to the next matching day', () => {
+    // Weekdays 9:00-17:45 every quarter hour; 2026-10-23 is a Friday
+    const schedule = new CronSchedule('*/15 9-17 * * 1-5', 'UTC');
+    assert.equal(schedule.nextAfter('2026-10-19T17:50:00Z').toISOString(), '2026-10-20T09:00:00.000Z');
+    assert.equal(schedule.nextAfter('2026-10-23T17:45:00Z').toISOString(), '2026-10-26T09:00:00.000Z');
+});
+
+test('nextAfter matches either day field when both are restricted', () => {
+    // The 13th or any Friday; 2026-10-23 is a Friday, 2026-11-13 a Friday as well
+    const schedule = new CronSchedule('0 0 13 * 5', 'UTC');
+    assert.deepEqual(schedule.upcoming(3, new Date('2026-10-19T00:00:00Z')).map(run => run.toISOString()), [
+        '2026-10-23T00:00:00.000Z',
+        '2026-10-30T00:00:00.000Z',
+        '2026-11-06T00:00:00.000Z'
+    ]);
+    assert.equal(schedule.nextAfter('2026-12-01T00:00:00Z').toISOString(), '2026-12-04T00:00:00.000Z');
+    assert.equal(new CronSchedule('0 0 13 * *', 'UTC').nextAfter('2026-10-19T00:00:00Z').toISOString(), '2026-11-13T00:00:00.000Z');
+});
+
+test('nextAfter evaluates the expression in the schedule timezone', () => {
+    const schedule = new CronSchedule('0 9 * * *', 'Europe/Berlin');
+    // Summer time (UTC+2) until 2026-10-25, standard time (UTC+1) after
+    assert.equal(schedule.nextAfter('2026-10-19T00:00:00Z').toISOString(), '2026-10-19T07:00:00.000Z');
+    assert.equal(schedule.nextAfter('2026-10-26T00:00:00Z').toISOString(), '2026-10-26T08:00:00.000Z');
+});
+
+test('nextAfter finds leap days and gives up on dates that never occur', () => {
+    assert.equal(new CronSchedule('0 12 29 2 *', 'UTC').nextAfter('2026-10-19T00:00:00Z').toISOString(), '2028-02-29T12:00:00.000Z');
+    assert.throws(() => new CronSchedule('0 0 31 2 *', 'UTC').nextAfter('2026-10-19T00:00:00Z'), /never matches/);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ASTDXBannerBot, levenshteinDistance, normalizeUnitText } from '../bot.js';
+
+// Just enough of a bot for extractBannerLabel: no Discord client, stores or browser
+function createLabelMatcher(banners, labelMaxDistanceRatio = 0.25) {
+    const bot = Object.create(ASTDXBannerBot.prototype);
+    bot.config = { ocrSettings: { labelMaxDistanceRatio } };
+    bot.bannerRegistry = bot.buildBannerRegistry(banners);
+    return bot;
+}
+
+// An OCR result (ocrImage) for the given words, all read at the given confidence
+function ocrResult(text, confidence = 90) {
+    return { text, confidence, words: text.split(/\s+/).filter(Boolean).map(word => ({ text: word, confidence })) };
+}
+
+const fuzzyBanners = [
+    { id: 'STANDARD', label: 'Standard Banner' },
+    { id: 'LIMITED', label: 'Limited Time Banner' },
+    { id: 'X', name: 'X Banner' },
+    { id: 'Y', name: 'Y Banner' }
+];
+
+test('levenshteinDistance counts insertions, deletions and substitutions', () => {
+    assert.equal(levenshteinDistance('', ''), 0);
+    assert.equal(levenshteinDistance('BANNER', 'BANNER'), 0);
+    assert.equal(levenshteinDistance('', 'ABC'), 3);
+    assert.equal(levenshteinDistance('BANNER', 'BANER'), 1);
+    assert.equal(levenshteinDistance('BANNER', 'BANNERS'), 1);
+    assert.equal(levenshteinDistance('BANNER', '8ANNER'), 1);
+    assert.equal(levenshteinDistance('KITTEN', 'SITTING'), 3);
+});
+
+test('normalizeUnitText upper-cases and strips punctuation', () => {
+    assert.equal(normalizeUnitText('  Goku, (Super)  '), 'GOKU SUPER');
+    assert.equal(normalizeUnitText('x-banner!'), 'X BANNER');
+});
+
+test('extractBannerLabel prefers a labelPattern match', () => {
+    const matcher = createLabelMatcher([{ id: 'X', name: 'X Banner', labelPattern: '\\bX\\s*BANNER\\b' }]);
+    const result = matcher.extractBannerLabel(ocrResult('NEW XBANNER NOW'));
+    assert.equal(result.banner.id, 'X');
+    assert.equal(result.text, 'X BANNER');
+    assert.equal(result.read, 'XBANNER');
+    assert.equal(result.distance, 0);
+    assert.equal(result.confidence, 90);
+});
+
+test('extractBannerLabel takes the confidence of a labelPattern match from the words spelling it', () => {
+    const matcher = createLabelMatcher([{ id: 'X', name: 'X Banner', labelPattern: '\\bX\\s*BANNER\\b' }]);
+    const ocr = {
+        text: 'A X BANNER 1 X',
+        confidence: 50,
+        words: [
+            { text: 'A', confidence: 10 },
+            { text: 'X', confidence: 80 },
+            { text: 'BANNER', confidence: 90 },
+            { text: '1', confidence: 10 },
+            { text: 'X', confidence: 10 }
+        ]
+    };
+    assert.equal(matcher.extractBannerLabel(ocr).confidence, 85);
+    // Punctuation OCR attaches to the words doesn't get in the way
+    assert.equal(matcher.extractBannerLabel({ ...ocr, text: 'NEW: X BANNER!', words: [{ text: 'NEW:', confidence: 10 }, { text: 'X', confidence: 70 }, { text: 'BANNER!', confidence: 90 }] }).confidence, 80);
+});
+
+test('extractBannerLabel matches labels with OCR mistakes', () => {
+    const matcher = createLabelMatcher(fuzzyBanners);
+
+    const standard = matcher.extractBannerLabel(ocrResult('SUMMON 5TANDARD 8ANNER'));
+    assert.equal(standard.banner.id, 'STANDARD');
+    assert.equal(standard.read, '5TANDARD 8ANNER');
+    assert.equal(standard.distance, 2);
+
+    // Split and merged words line up because the run is compared without spaces
+    const limited = matcher.extractBannerLabel(ocrResult('LIMITEDTIME BAN NER'));
+    assert.equal(limited.banner.id, 'LIMITED');
+    assert.equal(limited.distance, 0);
+});
+
+test('extractBannerLabel rejects reads beyond labelMaxDistanceRatio', () => {
+    const matcher = createLabelMatcher(fuzzyBanners);
+    // "STANDARDBANNER" is 14 characters, so at most 3 edits are allowed
+    assert.equal(matcher.extractBannerLabel(ocrResult('5TANDARD 8ANN3R')).distance, 3);
+    assert.equal(matcher.extractBannerLabel(ocrResult('5TAND4RD 8ANN3R')), null);
+    assert.equal(createLabelMatcher(fuzzyBanners, 0).extractBannerLabel(ocrResult('5TANDARD BANNER')), null);
+});
+
+test('extractBannerLabel matches neither label when two are equally close', () => {
+    const matcher = createLabelMatcher(fuzzyBanners);
+    assert.equal(matcher.extractBannerLabel(ocrResult('BANNER')), null);
+    assert.equal(matcher.extractBannerLabel(ocrResult('Z BANNER')), null);
+    assert.equal(matcher.extractBannerLabel(ocrResult('Y BANNER')).banner.id, 'Y');
+    assert.equal(matcher.extractBannerLabel(ocrResult('')), null);
+});
+
+test('extractBannerLabel reports the mean confidence of the matched words', () => {
+    const matcher = createLabelMatcher(fuzzyBanners);
+    const ocr = {
+        text: 'EVENT STANDARD BANNER',
+        confidence: 70,
+        words: [{ text: 'EVENT', confidence: 20 }, { text: 'STANDARD', confidence: 80 }, { text: 'BANNER,', confidence: 60 }]
+    };
+    const result = matcher.extractBannerLabel(ocr);
+    assert.equal(result.banner.id, 'STANDARD');
+    assert.equal(result.read, 'STANDARD BANNER');
+    assert.equal(result.confidence, 70);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LogFile } from '../bot.js';
+
+let directory;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'banner-bot-logs-'));
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const read = name => fs.readFileSync(path.join(directory, name), 'utf8');
+
+test('LogFile rotates by size and keeps maxFiles old files', () => {
+    // 100 bytes, so every third 40-byte line starts a new file
+    const file = new LogFile({ file: path.join(directory, 'bot.log'), rotate: 'size', maxSizeMb: 100 / 1024 / 1024, maxFiles: 2 });
+    const line = index => `line ${index}`.padEnd(39, '.');
+    for (let index = 1; index <= 9; index++) file.write(line(index));
+
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['bot.log', 'bot.log.1', 'bot.log.2']);
+    assert.equal(read('bot.log'), `${line(9)}\n`);
+    assert.equal(read('bot.log.1'), `${line(7)}\n${line(8)}\n`);
+    assert.equal(read('bot.log.2'), `${line(5)}\n${line(6)}\n`);
+});
+
+test('LogFile continues an existing file and counts its size', () => {
+    const filePath = path.join(directory, 'bot.log');
+    fs.writeFileSync(filePath, `${'x'.repeat(89)}\n`);
+    const file = new LogFile({ file: filePath, rotate: 'size', maxSizeMb: 100 / 1024 / 1024, maxFiles: 3 });
+    file.write('short');
+    file.write('next');
+
+    assert.equal(read('bot.log.1'), `${'x'.repeat(89)}\nshort\n`);
+    assert.equal(read('bot.log'), 'next\n');
+});
+
+test('LogFile rotates daily to dated files and removes the oldest', () => {
+    const filePath = path.join(directory, 'bot.log');
+    for (const day of ['2026-10-01', '2026-10-02', '2026-10-03']) {
+        fs.writeFileSync(path.join(directory, `bot.${day}.log`), `${day}\n`);
+    }
+    // Written yesterday, so the first write of today moves it aside
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.writeFileSync(filePath, 'yesterday\n');
+    fs.utimesSync(filePath, yesterday, yesterday);
+
+    const file = new LogFile({ file: filePath, rotate: 'daily', maxSizeMb: 10, maxFiles: 2 });
+    const dated = `bot.${file.localDay(yesterday)}.log`;
+    file.write('today');
+
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['bot.2026-10-03.log', dated, 'bot.log'].sort());
+    assert.equal(read(dated), 'yesterday\n');
+    assert.equal(read('bot.log'), 'today\n');
+});
+
+test('LogFile creates the log directory', () => {
+    const file = new LogFile({ file: path.join(directory, 'nested', 'logs', 'bot.log'), rotate: 'size', maxSizeMb: 1, maxFiles: 1 });
+    file.write('hello');
+    assert.equal(read(path.join('nested', 'logs', 'bot.log')), 'hello\n');
+});
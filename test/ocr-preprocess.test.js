@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { preprocessForOcr } from '../bot.js';
+
+const settings = { enabled: true, scale: 2, threshold: 'adaptive', thresholdWindow: 31, thresholdOffset: 10, invert: 'auto' };
+
+// A 200x60 image with a filled rectangle standing in for text, over a horizontal gradient
+function renderSample({ background, text }) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="60">
+        <defs><linearGradient id="g"><stop offset="0" stop-color="${background[0]}"/><stop offset="1" stop-color="${background[1]}"/></linearGradient></defs>
+        <rect width="200" height="60" fill="url(#g)"/>
+        <rect x="80" y="20" width="40" height="20" fill="${text}"/>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+async function readPixels(png) {
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    return { pixel: (x, y) => data[(y * info.width + x) * info.channels], info };
+}
+
+test('preprocessForOcr resolves to a PNG upscaled by settings.scale', async () => {
+    const output = await preprocessForOcr(await renderSample({ background: ['#ffffff', '#dddddd'], text: '#000000' }), settings);
+    const metadata = await sharp(output).metadata();
+    assert.equal(metadata.format, 'png');
+    assert.equal(metadata.width, 400);
+    assert.equal(metadata.height, 120);
+});
+
+test('preprocessForOcr binarises dark text on a light gradient to black on white', async () => {
+    const output = await preprocessForOcr(await renderSample({ background: ['#ffffff', '#bbbbbb'], text: '#202020' }), settings);
+    const { pixel } = await readPixels(output);
+    // The edge of the "text" (upscaled to x 160-240, y 40-80) and the background on both sides
+    assert.equal(pixel(164, 60), 0);
+    assert.equal(pixel(236, 44), 0);
+    assert.equal(pixel(20, 20), 255);
+    assert.equal(pixel(380, 100), 255);
+});
+
+test('preprocessForOcr inverts light text on a dark background', async () => {
+    const sample = await renderSample({ background: ['#101010', '#303030'], text: '#f0f0f0' });
+    const { pixel } = await readPixels(await preprocessForOcr(sample, settings));
+    assert.equal(pixel(164, 60), 0);
+    assert.equal(pixel(20, 20), 255);
+
+    const kept = await readPixels(await preprocessForOcr(sample, { ...settings, invert: 'never' }));
+    assert.equal(kept.pixel(164, 60), 255);
+});
+
+test('preprocessForOcr keeps the grayscale image without a threshold', async () => {
+    const sample = await renderSample({ background: ['#ffffff', '#ffffff'], text: '#808080' });
+    const { pixel } = await readPixels(await preprocessForOcr(sample, { ...settings, scale: 1, threshold: 'none' }));
+    assert.ok(Math.abs(pixel(100, 30) - 128) <= 2);
+    assert.equal(pixel(10, 10), 255);
+});
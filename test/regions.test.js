@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCalibrationLength, resolveRegion } from '../bot.js';
+
+test('resolveRegion keeps pixel regions that fit the frame', () => {
+    assert.deepEqual(resolveRegion({ x: 50, y: 60, width: 1200, height: 650 }, 1920, 1080), { x: 50, y: 60, width: 1200, height: 650 });
+});
+
+test('resolveRegion converts percentages of the frame to whole pixels', () => {
+    assert.deepEqual(resolveRegion({ x: '10%', y: '12.5%', width: '50%', height: '25%' }, 1920, 1080), { x: 192, y: 135, width: 960, height: 270 });
+    assert.deepEqual(resolveRegion({ x: '10%', y: 0, width: 100, height: '100%' }, 3840, 2160), { x: 384, y: 0, width: 100, height: 2160 });
+});
+
+test('resolveRegion clamps regions to the frame', () => {
+    assert.deepEqual(resolveRegion({ x: 1800, y: 1000, width: 500, height: 500 }, 1920, 1080), { x: 1800, y: 1000, width: 120, height: 80 });
+    // A region starting outside the frame keeps at least its last pixel
+    assert.deepEqual(resolveRegion({ x: 5000, y: 5000, width: 10, height: 10 }, 1920, 1080), { x: 1919, y: 1079, width: 1, height: 1 });
+    assert.deepEqual(resolveRegion({ x: 0, y: 0, width: 0, height: '0%' }, 1920, 1080), { x: 0, y: 0, width: 1, height: 1 });
+});
+
+test('parseCalibrationLength accepts whole pixels and percentages up to 100%', () => {
+    assert.equal(parseCalibrationLength('120'), 120);
+    assert.equal(parseCalibrationLength(' 0 '), 0);
+    assert.equal(parseCalibrationLength('12.5%'), '12.5%');
+    assert.equal(parseCalibrationLength('100%'), '100%');
+    assert.equal(parseCalibrationLength('100.5%'), null);
+    assert.equal(parseCalibrationLength('-5'), null);
+    assert.equal(parseCalibrationLength('1.5'), null);
+    assert.equal(parseCalibrationLength('abc'), null);
+    assert.equal(parseCalibrationLength(undefined), null);
+});
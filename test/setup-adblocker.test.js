@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { compareVersions, extractZip, readZipEntries, unwrapCrx } from '../setup-adblocker.js';
+
+// A zip archive of { name, data, store } entries: deflated unless store is set, names ending
+// in "/" are folders. CRCs are left at 0, the reader does not check them.
+function createZip(entries) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, data = '', store = false } of entries) {
+        const raw = Buffer.from(data);
+        const body = store || name.endsWith('/') ? raw : zlib.deflateRawSync(raw);
+        const method = body === raw ? 0 : 8;
+        const fileName = Buffer.from(name);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt32LE(body.length, 18);
+        header.writeUInt32LE(raw.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        local.push(header, fileName, body);
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(method, 10);
+        record.writeUInt32LE(body.length, 20);
+        record.writeUInt32LE(raw.length, 24);
+        record.writeUInt16LE(fileName.length, 28);
+        record.writeUInt32LE(offset, 42);
+        central.push(record, fileName);
+        offset += header.length + fileName.length + body.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, directory, end]);
+}
+
+let directory;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'banner-bot-adblocker-'));
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('readZipEntries reads stored and deflated files and skips folders', () => {
+    const zip = createZip([
+        { name: 'rulesets/' },
+        { name: 'manifest.json', data: '{"name":"uBOL"}' },
+        { name: 'rulesets/main.json', data: 'x'.repeat(1000) },
+        { name: 'icon.txt', data: 'stored', store: true }
+    ]);
+    const entries = readZipEntries(zip);
+    assert.deepEqual(entries.map(entry => entry.name), ['manifest.json', 'rulesets/main.json', 'icon.txt']);
+    assert.equal(entries[0].data.toString(), '{"name":"uBOL"}');
+    assert.equal(entries[1].data.toString(), 'x'.repeat(1000));
+    assert.equal(entries[2].data.toString(), 'stored');
+});
+
+test('readZipEntries rejects files that are not zip archives', () => {
+    assert.throws(() => readZipEntries(Buffer.from('not a zip at all, just some text padding it out')), /Not a zip archive/);
+    assert.throws(() => readZipEntries(Buffer.alloc(10)), /Not a zip archive/);
+});
+
+test('unwrapCrx strips CRX2 and CRX3 headers and passes zips through', () => {
+    const zip = createZip([{ name: 'manifest.json', data: '{}' }]);
+
+    const crx3 = Buffer.alloc(12 + 5);
+    crx3.write('Cr24', 0, 'latin1');
+    crx3.writeUInt32LE(3, 4);
+    crx3.writeUInt32LE(5, 8);
+    assert.deepEqual(unwrapCrx(Buffer.concat([crx3, zip])), zip);
+
+    const crx2 = Buffer.alloc(16 + 3 + 4);
+    crx2.write('Cr24', 0, 'latin1');
+    crx2.writeUInt32LE(2, 4);
+    crx2.writeUInt32LE(3, 8);
+    crx2.writeUInt32LE(4, 12);
+    assert.deepEqual(unwrapCrx(Buffer.concat([crx2, zip])), zip);
+
+    assert.equal(unwrapCrx(zip), zip);
+
+    const crx4 = Buffer.alloc(12);
+    crx4.write('Cr24', 0, 'latin1');
+    crx4.writeUInt32LE(4, 4);
+    assert.throws(() => unwrapCrx(crx4), /Unsupported CRX version 4/);
+});
+
+test('extractZip unpacks from inside a single wrapping folder', () => {
+    const target = path.join(directory, 'extension');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'stale.js'), '');
+
+    extractZip(createZip([
+        { name: 'uBOLite.chromium/manifest.json', data: '{}' },
+        { name: 'uBOLite.chromium/js/background.js', data: 'run()' }
+    ]), target);
+
+    assert.deepEqual(fs.readdirSync(target).sort(), ['js', 'manifest.json']);
+    assert.equal(fs.readFileSync(path.join(target, 'js', 'background.js'), 'utf8'), 'run()');
+});
+
+test('extractZip needs a manifest and refuses paths outside the directory', () => {
+    const target = path.join(directory, 'extension');
+    assert.throws(() => extractZip(createZip([{ name: 'readme.txt', data: '' }]), target), /has no manifest\.json/);
+    assert.throws(() => extractZip(createZip([{ name: 'manifest.json', data: '{}' }, { name: '../escape.js', data: '' }]), target),
+        /Refusing to unpack \.\.\/escape\.js/);
+    assert.equal(fs.existsSync(path.join(directory, 'escape.js')), false);
+});
+
+test('compareVersions compares dotted versions numerically', () => {
+    assert.ok(compareVersions('2025.1.10', '2025.1.9') > 0);
+    assert.ok(compareVersions('2025.1.9', '2025.1.10') < 0);
+    assert.equal(compareVersions('1.2', '1.2.0'), 0);
+    assert.ok(compareVersions('2026.101.1', '2025.1231.2') > 0);
+});